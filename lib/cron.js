@@ -0,0 +1,52 @@
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// Standard five-field cron: numbers, "*", ranges (1-5), steps (*/15, 8-18/2)
+// and lists. Day of week 0 and 7 are both Sunday.
+export function parseCronExpression(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(
+      `"${expression}" must have 5 fields: minute hour day-of-month month day-of-week`
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+    for (const item of part.split(",")) {
+      const match = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) {
+        throw new Error(`invalid ${name} "${item}" in "${expression}"`);
+      }
+      const [, star, first, last, step] = match;
+      const start = star ? min : Number(first);
+      const end = star || (step && !last) ? max : Number(last ?? first);
+      if (start < min || end > max || start > end || step === "0") {
+        throw new Error(
+          `${name} "${item}" is outside ${min}-${max} in "${expression}"`
+        );
+      }
+      for (let value = start; value <= end; value += Number(step || 1)) {
+        values.add(value === 7 && index === 4 ? 0 : value);
+      }
+    }
+    return values;
+  });
+
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
@@ -0,0 +1,64 @@
+// Utility function to calculate distance between two coordinates using Haversine formula
+export function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371000; // Earth's radius in meters
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  const distance = R * c; // Distance in meters
+  return distance;
+}
+
+// Shortest distance in meters from the origin to segment a-b on a local plane
+function distanceFromOriginToSegment(a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+}
+
+// Signed distance in meters from a point to an office boundary:
+// positive when the point is inside the fence, negative when outside
+export function measureFence(office, latitude, longitude) {
+  if (office.shape !== "polygon") {
+    return (
+      office.radius -
+      calculateDistance(latitude, longitude, office.latitude, office.longitude)
+    );
+  }
+
+  // Project the vertices onto a flat plane centred on the point, which is
+  // accurate enough at campus scale
+  const metersPerDegree = (Math.PI / 180) * 6371000;
+  const cosLatitude = Math.cos((latitude * Math.PI) / 180);
+  const points = office.polygon.map((vertex) => ({
+    x: (vertex.longitude - longitude) * metersPerDegree * cosLatitude,
+    y: (vertex.latitude - latitude) * metersPerDegree,
+  }));
+
+  let inside = false;
+  let edgeDistance = Infinity;
+
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+
+    // Ray casting along the positive x axis from the origin
+    if (a.y > 0 !== b.y > 0 && (a.x * b.y - b.x * a.y) / (b.y - a.y) > 0) {
+      inside = !inside;
+    }
+
+    edgeDistance = Math.min(edgeDistance, distanceFromOriginToSegment(a, b));
+  }
+
+  return inside ? edgeDistance : -edgeDistance;
+}
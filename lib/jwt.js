@@ -0,0 +1,139 @@
+import crypto from "crypto";
+
+export const JWT_ALGORITHMS = {
+  HS256: { kind: "hmac", hash: "sha256" },
+  HS384: { kind: "hmac", hash: "sha384" },
+  HS512: { kind: "hmac", hash: "sha512" },
+  RS256: { kind: "rsa", hash: "sha256" },
+  RS384: { kind: "rsa", hash: "sha384" },
+  RS512: { kind: "rsa", hash: "sha512" },
+  PS256: { kind: "pss", hash: "sha256" },
+  PS384: { kind: "pss", hash: "sha384" },
+  PS512: { kind: "pss", hash: "sha512" },
+  ES256: { kind: "ecdsa", hash: "sha256" },
+  ES384: { kind: "ecdsa", hash: "sha384" },
+  ES512: { kind: "ecdsa", hash: "sha512" },
+};
+
+const tokenError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+function decodeJwtSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw tokenError("TOKEN_MALFORMED", "Token is not a valid JWT");
+  }
+}
+
+// Verify signature and registered claims; returns the payload or throws an
+// error whose `code` says why the token was refused. `keys` are JWKS entries
+// of { kid, alg, key } with `key` a crypto.KeyObject. Tokens without a
+// numeric `exp` never expire, so they are refused unless `requireExp` is off.
+export function verifyJwt(
+  token,
+  {
+    secret,
+    keys = [],
+    issuer,
+    audience,
+    clockTolerance = 0,
+    requireExp = true,
+  } = {}
+) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw tokenError("TOKEN_MALFORMED", "Token is not a valid JWT");
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeJwtSegment(encodedHeader);
+  const payload = decodeJwtSegment(encodedPayload);
+  const algorithm = JWT_ALGORITHMS[header.alg];
+
+  if (!algorithm) {
+    throw tokenError(
+      "TOKEN_ALGORITHM",
+      `Token algorithm "${header.alg}" is not accepted`
+    );
+  }
+
+  const signedData = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, "base64url");
+  let valid = false;
+
+  if (algorithm.kind === "hmac") {
+    if (!secret) {
+      throw tokenError(
+        "TOKEN_ALGORITHM",
+        "HMAC-signed tokens are not accepted without JWT_SECRET"
+      );
+    }
+    const expected = crypto
+      .createHmac(algorithm.hash, secret)
+      .update(signedData)
+      .digest();
+    valid =
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(expected, signature);
+  } else {
+    const candidates = keys.filter(
+      (jwk) =>
+        (!header.kid || jwk.kid === header.kid) &&
+        (!jwk.alg || jwk.alg === header.alg)
+    );
+    if (candidates.length === 0) {
+      throw tokenError(
+        "TOKEN_KEY_UNKNOWN",
+        `No verification key for kid "${header.kid || "(none)"}"`
+      );
+    }
+
+    valid = candidates.some(({ key }) => {
+      try {
+        return crypto.verify(
+          algorithm.hash,
+          Buffer.from(signedData),
+          {
+            key,
+            ...(algorithm.kind === "pss" && {
+              padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+              saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+            }),
+            ...(algorithm.kind === "ecdsa" && { dsaEncoding: "ieee-p1363" }),
+          },
+          signature
+        );
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  if (!valid) {
+    throw tokenError("TOKEN_SIGNATURE", "Token signature is invalid");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (requireExp && typeof payload.exp !== "number") {
+    throw tokenError("TOKEN_CLAIMS", "Token has no expiry");
+  }
+  if (typeof payload.exp === "number" && now - clockTolerance >= payload.exp) {
+    throw tokenError("TOKEN_EXPIRED", "Token has expired");
+  }
+  if (typeof payload.nbf === "number" && now + clockTolerance < payload.nbf) {
+    throw tokenError("TOKEN_NOT_YET_VALID", "Token is not valid yet");
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw tokenError("TOKEN_CLAIMS", "Token issuer is not accepted");
+  }
+  if (audience) {
+    const audiences = [].concat(payload.aud || []);
+    if (!audiences.includes(audience)) {
+      throw tokenError("TOKEN_CLAIMS", "Token audience is not accepted");
+    }
+  }
+
+  return payload;
+}
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseCronExpression } from "../lib/cron.js";
+
+const values = (set) => [...set].sort((a, b) => a - b);
+const range = (from, to, step = 1) =>
+  Array.from(
+    { length: Math.floor((to - from) / step) + 1 },
+    (_, i) => from + i * step
+  );
+
+test("a star covers the whole field", () => {
+  const cron = parseCronExpression("* * * * *");
+  assert.deepEqual(values(cron.minutes), range(0, 59));
+  assert.deepEqual(values(cron.hours), range(0, 23));
+  assert.deepEqual(values(cron.days), range(1, 31));
+  assert.deepEqual(values(cron.months), range(1, 12));
+  assert.deepEqual(values(cron.weekdays), range(0, 6));
+  assert.equal(cron.anyDay, true);
+  assert.equal(cron.anyWeekday, true);
+});
+
+test("numbers, ranges and lists", () => {
+  const cron = parseCronExpression("0,30 9-17 1,15 6 1-5");
+  assert.deepEqual(values(cron.minutes), [0, 30]);
+  assert.deepEqual(values(cron.hours), range(9, 17));
+  assert.deepEqual(values(cron.days), [1, 15]);
+  assert.deepEqual(values(cron.months), [6]);
+  assert.deepEqual(values(cron.weekdays), [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDay, false);
+  assert.equal(cron.anyWeekday, false);
+});
+
+test("steps over a star, a range and from a start value", () => {
+  const cron = parseCronExpression("*/15 8-18/2 5/10 * *");
+  assert.deepEqual(values(cron.minutes), [0, 15, 30, 45]);
+  assert.deepEqual(values(cron.hours), [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual(values(cron.days), [5, 15, 25]);
+});
+
+test("day of week 7 is Sunday like 0", () => {
+  assert.deepEqual(values(parseCronExpression("0 0 * * 7").weekdays), [0]);
+  assert.deepEqual(
+    values(parseCronExpression("0 0 * * 5-7").weekdays),
+    [0, 5, 6]
+  );
+});
+
+test("extra whitespace between fields is ignored", () => {
+  const cron = parseCronExpression("  0   17 * *  5 ");
+  assert.deepEqual(values(cron.hours), [17]);
+  assert.deepEqual(values(cron.weekdays), [5]);
+});
+
+test("rejects the wrong number of fields", () => {
+  assert.throws(() => parseCronExpression("0 17 * *"), /must have 5 fields/);
+  assert.throws(
+    () => parseCronExpression("0 0 17 * * 5"),
+    /must have 5 fields/
+  );
+});
+
+test("rejects values outside a field's range", () => {
+  assert.throws(() => parseCronExpression("60 * * * *"), /minute "60"/);
+  assert.throws(() => parseCronExpression("* 24 * * *"), /hour "24"/);
+  assert.throws(() => parseCronExpression("* * 0 * *"), /day of month "0"/);
+  assert.throws(() => parseCronExpression("* * * 13 *"), /month "13"/);
+  assert.throws(() => parseCronExpression("* * * * 8"), /day of week "8"/);
+});
+
+test("rejects reversed ranges, zero steps and junk", () => {
+  assert.throws(() => parseCronExpression("* 17-9 * * *"), /hour "17-9"/);
+  assert.throws(() => parseCronExpression("*/0 * * * *"), /minute "\*\/0"/);
+  assert.throws(() => parseCronExpression("MON * * * *"), /invalid minute/);
+  assert.throws(() => parseCronExpression("1,,2 * * * *"), /invalid minute/);
+});
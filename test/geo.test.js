@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { calculateDistance, measureFence } from "../lib/geo.js";
+
+// Roughly 1.1km square around (19.075, 72.875)
+const square = {
+  shape: "polygon",
+  polygon: [
+    { latitude: 19.07, longitude: 72.87 },
+    { latitude: 19.08, longitude: 72.87 },
+    { latitude: 19.08, longitude: 72.88 },
+    { latitude: 19.07, longitude: 72.88 },
+  ],
+};
+
+// A "U" whose notch, between longitudes 72.874 and 72.876 north of 19.074,
+// is outside the fence
+const concave = {
+  shape: "polygon",
+  polygon: [
+    { latitude: 19.07, longitude: 72.87 },
+    { latitude: 19.08, longitude: 72.87 },
+    { latitude: 19.08, longitude: 72.874 },
+    { latitude: 19.074, longitude: 72.874 },
+    { latitude: 19.074, longitude: 72.876 },
+    { latitude: 19.08, longitude: 72.876 },
+    { latitude: 19.08, longitude: 72.88 },
+    { latitude: 19.07, longitude: 72.88 },
+  ],
+};
+
+test("haversine distance matches a known city pair", () => {
+  // Mumbai to Pune is about 120km as the crow flies
+  const distance = calculateDistance(19.076, 72.8777, 18.5204, 73.8567);
+  assert.ok(Math.abs(distance - 119_900) < 1_000, `got ${distance}`);
+  assert.equal(calculateDistance(19.076, 72.8777, 19.076, 72.8777), 0);
+});
+
+test("circle fences measure the room left inside the radius", () => {
+  const office = {
+    shape: "circle",
+    latitude: 19.076,
+    longitude: 72.8777,
+    radius: 100,
+  };
+  assert.equal(measureFence(office, 19.076, 72.8777), 100);
+  assert.ok(measureFence(office, 19.077, 72.8777) < 0);
+});
+
+test("a point inside a polygon is positive, outside is negative", () => {
+  assert.ok(measureFence(square, 19.075, 72.875) > 0);
+  assert.ok(measureFence(square, 19.09, 72.875) < 0);
+  assert.ok(measureFence(square, 19.075, 72.86) < 0);
+});
+
+test("the margin is the distance to the nearest edge", () => {
+  // 0.001 degrees of latitude is about 111m
+  const margin = measureFence(square, 19.071, 72.875);
+  assert.ok(Math.abs(margin - 111) < 1, `got ${margin}`);
+
+  const outside = measureFence(square, 19.069, 72.875);
+  assert.ok(Math.abs(outside + 111) < 1, `got ${outside}`);
+});
+
+test("a point on the boundary has a margin of about zero", () => {
+  assert.ok(Math.abs(measureFence(square, 19.07, 72.875)) < 0.01);
+});
+
+test("a ray through a vertex does not flip the result", () => {
+  // Same latitude as the vertices at 19.074 of the concave polygon
+  assert.ok(measureFence(concave, 19.074, 72.872) > 0);
+  assert.ok(measureFence(concave, 19.074, 72.878) > 0);
+  assert.ok(measureFence(concave, 19.074, 72.885) < 0);
+});
+
+test("the notch of a concave polygon is outside", () => {
+  assert.ok(measureFence(concave, 19.077, 72.875) < 0);
+  assert.ok(measureFence(concave, 19.077, 72.872) > 0);
+  assert.ok(measureFence(concave, 19.072, 72.875) > 0);
+});
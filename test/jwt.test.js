@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { test } from "node:test";
+import { verifyJwt } from "../lib/jwt.js";
+
+const SECRET = "s3cret";
+const now = () => Math.floor(Date.now() / 1000);
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+function signHs256(payload, secret = SECRET, header = { alg: "HS256" }) {
+  const data = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(data)
+    .digest("base64url");
+  return `${data}.${signature}`;
+}
+
+function signEs256(payload, privateKey, kid) {
+  const data = `${encode({ alg: "ES256", kid })}.${encode(payload)}`;
+  const signature = crypto
+    .sign("sha256", Buffer.from(data), {
+      key: privateKey,
+      dsaEncoding: "ieee-p1363",
+    })
+    .toString("base64url");
+  return `${data}.${signature}`;
+}
+
+const rejects = (token, options, code) =>
+  assert.throws(() => verifyJwt(token, options), { code });
+
+test("accepts an HS256 token signed with the shared secret", () => {
+  const payload = { sub: "u1", role: "employee", exp: now() + 60 };
+  assert.deepEqual(verifyJwt(signHs256(payload), { secret: SECRET }), payload);
+});
+
+test("rejects a token signed with another secret", () => {
+  rejects(
+    signHs256({ sub: "u1" }, "other"),
+    { secret: SECRET },
+    "TOKEN_SIGNATURE"
+  );
+});
+
+test("rejects a payload changed after signing", () => {
+  const [header, , signature] = signHs256({
+    sub: "u1",
+    role: "employee",
+  }).split(".");
+  const forged = `${header}.${encode({
+    sub: "u1",
+    role: "admin",
+  })}.${signature}`;
+  rejects(forged, { secret: SECRET }, "TOKEN_SIGNATURE");
+});
+
+test("rejects unsigned and unknown algorithms", () => {
+  const none = `${encode({ alg: "none" })}.${encode({ sub: "u1" })}.`;
+  rejects(none, { secret: SECRET }, "TOKEN_ALGORITHM");
+
+  const unknown = signHs256({ sub: "u1" }, SECRET, { alg: "HS1" });
+  rejects(unknown, { secret: SECRET }, "TOKEN_ALGORITHM");
+});
+
+test("rejects HMAC tokens when no secret is configured", () => {
+  rejects(signHs256({ sub: "u1" }), {}, "TOKEN_ALGORITHM");
+});
+
+test("rejects malformed tokens", () => {
+  rejects("not-a-jwt", { secret: SECRET }, "TOKEN_MALFORMED");
+  rejects("a.b.c", { secret: SECRET }, "TOKEN_MALFORMED");
+});
+
+test("checks exp and nbf with the clock tolerance", () => {
+  const expired = signHs256({ sub: "u1", exp: now() - 30 });
+  rejects(expired, { secret: SECRET }, "TOKEN_EXPIRED");
+  assert.ok(verifyJwt(expired, { secret: SECRET, clockTolerance: 60 }));
+
+  const early = signHs256({ sub: "u1", nbf: now() + 30, exp: now() + 90 });
+  rejects(early, { secret: SECRET }, "TOKEN_NOT_YET_VALID");
+  assert.ok(verifyJwt(early, { secret: SECRET, clockTolerance: 60 }));
+});
+
+test("rejects tokens without a numeric exp unless requireExp is off", () => {
+  rejects(signHs256({ sub: "u1" }), { secret: SECRET }, "TOKEN_CLAIMS");
+  rejects(
+    signHs256({ sub: "u1", exp: String(now() + 60) }),
+    { secret: SECRET },
+    "TOKEN_CLAIMS"
+  );
+  assert.ok(
+    verifyJwt(signHs256({ sub: "u1" }), { secret: SECRET, requireExp: false })
+  );
+});
+
+test("checks issuer and audience when configured", () => {
+  const token = signHs256({
+    sub: "u1",
+    iss: "auth",
+    aud: ["proxy", "web"],
+    exp: now() + 60,
+  });
+  const options = { secret: SECRET, issuer: "auth", audience: "proxy" };
+  assert.ok(verifyJwt(token, options));
+  rejects(token, { ...options, issuer: "other" }, "TOKEN_CLAIMS");
+  rejects(token, { ...options, audience: "other" }, "TOKEN_CLAIMS");
+});
+
+test("verifies ES256 tokens against the JWKS key with the matching kid", () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-256",
+  });
+  const other = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const keys = [
+    { kid: "old", alg: "ES256", key: other.publicKey },
+    { kid: "current", alg: "ES256", key: publicKey },
+  ];
+
+  const token = signEs256(
+    { sub: "u1", exp: now() + 60 },
+    privateKey,
+    "current"
+  );
+  assert.equal(verifyJwt(token, { keys }).sub, "u1");
+
+  rejects(
+    signEs256({ sub: "u1" }, privateKey, "old"),
+    { keys },
+    "TOKEN_SIGNATURE"
+  );
+  rejects(
+    signEs256({ sub: "u1" }, privateKey, "gone"),
+    { keys },
+    "TOKEN_KEY_UNKNOWN"
+  );
+});
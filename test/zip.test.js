@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import zlib from "node:zlib";
+import { crc32, zipFiles } from "../lib/zip.js";
+
+// Read an archive back through its central directory, checking each local
+// header agrees with it
+function unzip(archive) {
+  const end = archive.length - 22;
+  assert.equal(
+    archive.readUInt32LE(end),
+    0x06054b50,
+    "end of central directory"
+  );
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+  assert.equal(offset + archive.readUInt32LE(end + 12), end);
+
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(offset), 0x02014b50, "central header");
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const size = archive.readUInt32LE(offset + 24);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString(
+      "utf8",
+      offset + 46,
+      offset + 46 + nameLength
+    );
+    offset += 46 + nameLength;
+
+    assert.equal(archive.readUInt32LE(localOffset), 0x04034b50, "local header");
+    assert.equal(archive.readUInt16LE(localOffset + 8), 8, "deflate");
+    assert.equal(archive.readUInt32LE(localOffset + 14), crc);
+    assert.equal(
+      archive.toString("utf8", localOffset + 30, localOffset + 30 + nameLength),
+      name
+    );
+    const start = localOffset + 30 + nameLength;
+    const data = zlib.inflateRawSync(
+      archive.subarray(start, start + compressedSize)
+    );
+    assert.equal(data.length, size);
+    assert.equal(crc32(data), crc, `crc of ${name}`);
+    files[name] = data.toString("utf8");
+  }
+  return files;
+}
+
+test("crc32 matches the standard check values", () => {
+  assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+  assert.equal(
+    crc32(Buffer.from("The quick brown fox jumps over the lazy dog")),
+    0x414fa339
+  );
+});
+
+test("files survive a zip round trip", () => {
+  const files = {
+    "[Content_Types].xml": '<?xml version="1.0"?><Types/>',
+    "xl/worksheets/sheet1.xml": "<row>".repeat(500),
+    "empty.txt": "",
+  };
+  assert.deepEqual(unzip(zipFiles(files)), files);
+});
+
+test("names and contents keep non-ASCII characters", () => {
+  const files = { "notes/été-समय.txt": "Überstunden ✓" };
+  const archive = zipFiles(files);
+  // General purpose flag bit 11: names are UTF-8
+  assert.equal(archive.readUInt16LE(6) & 0x0800, 0x0800);
+  assert.deepEqual(unzip(archive), files);
+});
+
+test("an archive with no files is just the end record", () => {
+  const archive = zipFiles({});
+  assert.equal(archive.length, 22);
+  assert.deepEqual(unzip(archive), {});
+});